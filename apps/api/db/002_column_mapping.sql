@@ -0,0 +1,11 @@
+-- Store the column mapping used for each upload
+ALTER TABLE uploads ADD COLUMN column_mapping JSONB;
+
+-- Keep the structured address parts alongside raw_address
+ALTER TABLE upload_rows
+    ADD COLUMN street TEXT,
+    ADD COLUMN street2 TEXT,
+    ADD COLUMN city TEXT,
+    ADD COLUMN region TEXT,
+    ADD COLUMN postal TEXT,
+    ADD COLUMN country TEXT;
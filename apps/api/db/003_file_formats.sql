@@ -0,0 +1,5 @@
+-- Record which reader was used for each upload (csv, tsv, xlsx, geojson)
+ALTER TABLE uploads ADD COLUMN source_format TEXT;
+
+-- GeoJSON features can arrive with a point but no address
+ALTER TABLE upload_rows ALTER COLUMN raw_address DROP NOT NULL;
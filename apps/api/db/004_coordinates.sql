@@ -0,0 +1,12 @@
+-- Where a row's lat/lng came from: the uploaded file or the geocoder
+ALTER TABLE upload_rows
+    ADD COLUMN coordinate_source TEXT CHECK (coordinate_source IN ('file', 'geocoder'));
+
+UPDATE upload_rows
+SET coordinate_source = CASE WHEN raw_address IS NULL THEN 'file' ELSE 'geocoder' END
+WHERE geocode_status = 'success';
+
+-- Which location wins when a row has both an address and coordinates
+ALTER TABLE uploads
+    ADD COLUMN coordinate_priority TEXT NOT NULL DEFAULT 'coordinates'
+    CHECK (coordinate_priority IN ('coordinates', 'address'));
@@ -0,0 +1,17 @@
+-- Column order of the uploaded file, used to rebuild rows for the rejects export
+ALTER TABLE uploads ADD COLUMN source_headers JSONB;
+
+-- Rows that were rejected, or stored with a value coerced, during upload
+CREATE TABLE upload_row_issues (
+    id BIGSERIAL PRIMARY KEY,
+    upload_id UUID NOT NULL REFERENCES uploads(id) ON DELETE CASCADE,
+    row_index INTEGER NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('rejected', 'coerced')),
+    reason TEXT NOT NULL,
+    field TEXT,
+    message TEXT,
+    original_values JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_upload_row_issues_upload_id ON upload_row_issues(upload_id, row_index);
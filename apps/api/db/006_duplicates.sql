@@ -0,0 +1,15 @@
+-- How duplicate rows are treated by points and insights
+ALTER TABLE uploads
+    ADD COLUMN duplicate_policy TEXT NOT NULL DEFAULT 'keep_all'
+        CHECK (duplicate_policy IN ('keep_all', 'keep_first', 'merge')),
+    ADD COLUMN duplicate_distance_m DOUBLE PRECISION NOT NULL DEFAULT 10,
+    ADD COLUMN flag_previous_uploads BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Duplicates point at the earliest matching row in the same upload
+ALTER TABLE upload_rows
+    ADD COLUMN duplicate_of BIGINT REFERENCES upload_rows(id) ON DELETE SET NULL,
+    ADD COLUMN duplicate_kind TEXT CHECK (duplicate_kind IN ('exact', 'nearby')),
+    ADD COLUMN previous_upload_id UUID REFERENCES uploads(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_upload_rows_duplicate_of ON upload_rows(duplicate_of);
+CREATE INDEX idx_upload_rows_normalized_address ON upload_rows(LOWER(normalized_address));
@@ -0,0 +1,31 @@
+-- Uploads can be refreshed with more files; each file creates a new version
+ALTER TABLE uploads
+    ADD COLUMN current_version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE upload_versions (
+    upload_id UUID NOT NULL REFERENCES uploads(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    original_filename TEXT NOT NULL,
+    mode TEXT NOT NULL CHECK (mode IN ('create', 'append', 'upsert', 'replace')),
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    valid_rows INTEGER NOT NULL DEFAULT 0,
+    invalid_rows INTEGER NOT NULL DEFAULT 0,
+    updated_rows INTEGER NOT NULL DEFAULT 0,
+    removed_rows INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (upload_id, version)
+);
+
+-- Existing uploads become version 1
+INSERT INTO upload_versions (upload_id, version, created_at, original_filename, mode, total_rows, valid_rows, invalid_rows)
+SELECT id, 1, created_at, original_filename, 'create', total_rows, valid_rows, invalid_rows
+FROM uploads;
+
+-- A row belongs to every version from valid_from_version up to (not including)
+-- valid_to_version; rows still in the current version have no valid_to_version
+ALTER TABLE upload_rows
+    ADD COLUMN external_id TEXT,
+    ADD COLUMN valid_from_version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN valid_to_version INTEGER;
+
+CREATE INDEX idx_upload_rows_external_id ON upload_rows(upload_id, external_id);
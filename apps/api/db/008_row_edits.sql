@@ -0,0 +1,11 @@
+-- Coordinates can also be set by hand; manual points are never re-geocoded
+ALTER TABLE upload_rows
+    DROP CONSTRAINT upload_rows_coordinate_source_check;
+
+ALTER TABLE upload_rows
+    ADD CONSTRAINT upload_rows_coordinate_source_check
+    CHECK (coordinate_source IN ('file', 'geocoder', 'manual'));
+
+-- When the row was last changed through the API
+ALTER TABLE upload_rows
+    ADD COLUMN edited_at TIMESTAMP WITH TIME ZONE;
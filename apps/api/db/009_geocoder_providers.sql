@@ -0,0 +1,12 @@
+-- Geocoder providers an upload tries, in order; NULL uses the server's GEOCODER_PROVIDERS
+ALTER TABLE uploads
+    ADD COLUMN geocoder_providers TEXT[];
+
+-- Which provider found a geocoded row's point
+ALTER TABLE upload_rows
+    ADD COLUMN geocode_provider TEXT;
+
+-- Everything geocoded so far came from Mapbox
+UPDATE upload_rows
+SET geocode_provider = 'mapbox'
+WHERE coordinate_source = 'geocoder';
@@ -0,0 +1,23 @@
+-- Geocoder results shared across uploads, keyed by provider and normalized query
+CREATE TABLE geocode_cache (
+    provider TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('forward', 'reverse')),
+    query TEXT NOT NULL,
+    result JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    last_hit_at TIMESTAMP WITH TIME ZONE,
+    PRIMARY KEY (provider, kind, query)
+);
+
+CREATE INDEX idx_geocode_cache_expires_at ON geocode_cache(expires_at);
+
+-- Lookup counters per provider and kind
+CREATE TABLE geocode_cache_stats (
+    provider TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('forward', 'reverse')),
+    hits BIGINT NOT NULL DEFAULT 0,
+    misses BIGINT NOT NULL DEFAULT 0,
+    PRIMARY KEY (provider, kind)
+);
@@ -0,0 +1,26 @@
+-- Geocoding runs as durable jobs processed by worker loops
+CREATE TABLE geocode_jobs (
+    id BIGSERIAL PRIMARY KEY,
+    upload_id UUID NOT NULL REFERENCES uploads(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'done', 'failed')),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    success_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    error TEXT
+);
+
+-- At most one queued or running job per upload
+CREATE UNIQUE INDEX idx_geocode_jobs_active ON geocode_jobs(upload_id) WHERE status IN ('queued', 'running');
+
+-- Workers lease the rows they are geocoding; an expired lease can be claimed again
+ALTER TABLE upload_rows
+    ADD COLUMN claimed_by TEXT,
+    ADD COLUMN claimed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX idx_upload_rows_pending ON upload_rows(upload_id, row_index) WHERE geocode_status = 'pending';
+
+-- Uploads left in 'processing' by the old in-request loop are picked up again
+INSERT INTO geocode_jobs (upload_id)
+SELECT id FROM uploads WHERE status = 'processing';
@@ -0,0 +1,9 @@
+-- Transient geocoder errors are retried with backoff; rows count their attempts
+ALTER TABLE upload_rows
+    ADD COLUMN geocode_attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN next_attempt_at TIMESTAMP WITH TIME ZONE;
+
+-- Rows geocoded so far were tried once
+UPDATE upload_rows
+SET geocode_attempts = 1
+WHERE coordinate_source = 'geocoder' OR geocode_status = 'failed';
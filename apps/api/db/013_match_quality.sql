@@ -0,0 +1,23 @@
+-- How good each geocoder match is, as reported by the provider
+ALTER TABLE upload_rows
+    ADD COLUMN geocode_relevance REAL,
+    ADD COLUMN geocode_place_type TEXT,
+    ADD COLUMN geocode_accuracy TEXT,
+    ADD COLUMN geocode_place_name TEXT;
+
+-- Matches below the upload's threshold keep their point but are marked low_confidence
+ALTER TABLE upload_rows
+    DROP CONSTRAINT upload_rows_geocode_status_check;
+
+ALTER TABLE upload_rows
+    ADD CONSTRAINT upload_rows_geocode_status_check
+    CHECK (geocode_status IN ('pending', 'success', 'low_confidence', 'failed'));
+
+-- Per-upload minimum match quality (NULL uses the server's default)
+ALTER TABLE uploads
+    ADD COLUMN min_match_relevance REAL CHECK (min_match_relevance BETWEEN 0 AND 1),
+    ADD COLUMN min_match_place_type TEXT
+        CHECK (min_match_place_type IN ('address', 'street', 'postcode', 'neighborhood', 'locality', 'region', 'country'));
+
+ALTER TABLE geocode_jobs
+    ADD COLUMN low_confidence_count INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,12 @@
+-- Which query found each row's match: the full address, or a retry fallback
+ALTER TABLE upload_rows
+    ADD COLUMN geocode_strategy TEXT
+        CHECK (geocode_strategy IN ('full', 'without_unit', 'structured', 'postal_only'));
+
+UPDATE upload_rows
+SET geocode_strategy = 'full'
+WHERE coordinate_source = 'geocoder';
+
+-- Retry jobs try the fallback queries when the full address doesn't match well
+ALTER TABLE geocode_jobs
+    ADD COLUMN use_fallbacks BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,3 @@
+-- Per-upload geocoding bias: { countries, proximity, bbox, types, language }
+ALTER TABLE uploads
+    ADD COLUMN geocode_options JSONB;
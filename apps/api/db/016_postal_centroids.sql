@@ -0,0 +1,17 @@
+-- Postal code centroids for the offline "postal" geocoder, filled by
+-- `npm run import:postal-centroids`. Codes are stored uppercase without
+-- spaces or dashes; Canadian FSAs (first three characters) can sit alongside
+-- full codes.
+CREATE TABLE postal_centroids (
+    country TEXT NOT NULL,
+    postal_code TEXT NOT NULL,
+    lat DOUBLE PRECISION NOT NULL,
+    lng DOUBLE PRECISION NOT NULL,
+    geom GEOGRAPHY(Point, 4326) NOT NULL,
+    place_name TEXT,
+    imported_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (country, postal_code)
+);
+
+CREATE INDEX idx_postal_centroids_code ON postal_centroids(postal_code);
+CREATE INDEX idx_postal_centroids_geom ON postal_centroids USING GIST(geom);
@@ -0,0 +1,25 @@
+-- Progress of the upload's latest geocoding run, streamed by GET /api/uploads/:id/events
+ALTER TABLE uploads
+    ADD COLUMN progress_total INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN progress_processed INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN progress_success INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN progress_low_confidence INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN progress_failed INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN progress_eta TIMESTAMP WITH TIME ZONE;
+
+-- Carry over the counts of each upload's latest job
+UPDATE uploads u
+SET progress_success = j.success_count,
+    progress_low_confidence = j.low_confidence_count,
+    progress_failed = j.failed_count,
+    progress_processed = j.success_count + j.low_confidence_count + j.failed_count,
+    progress_total = j.success_count + j.low_confidence_count + j.failed_count + (
+        SELECT COUNT(*) FROM upload_rows r
+        WHERE r.upload_id = u.id AND r.geocode_status = 'pending' AND r.valid_to_version IS NULL
+    )
+FROM (
+    SELECT DISTINCT ON (upload_id) upload_id, success_count, low_confidence_count, failed_count
+    FROM geocode_jobs
+    ORDER BY upload_id, id DESC
+) j
+WHERE j.upload_id = u.id;
@@ -0,0 +1,22 @@
+-- Geocoding can be paused, resumed and cancelled; unprocessed rows stay pending
+ALTER TABLE uploads
+    DROP CONSTRAINT uploads_status_check;
+
+ALTER TABLE uploads
+    ADD CONSTRAINT uploads_status_check
+    CHECK (status IN ('uploaded', 'processing', 'paused', 'cancelled', 'done', 'failed'));
+
+ALTER TABLE geocode_jobs
+    DROP CONSTRAINT geocode_jobs_status_check;
+
+ALTER TABLE geocode_jobs
+    ADD CONSTRAINT geocode_jobs_status_check
+    CHECK (status IN ('queued', 'running', 'paused', 'cancelled', 'done', 'failed'));
+
+-- When the job was paused, so resuming can leave the pause out of the ETA
+ALTER TABLE geocode_jobs
+    ADD COLUMN paused_at TIMESTAMP WITH TIME ZONE;
+
+-- A paused job still holds its upload: at most one queued, running or paused job
+DROP INDEX idx_geocode_jobs_active;
+CREATE UNIQUE INDEX idx_geocode_jobs_active ON geocode_jobs(upload_id) WHERE status IN ('queued', 'running', 'paused');
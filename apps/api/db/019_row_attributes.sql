@@ -0,0 +1,4 @@
+-- Columns of the file that aren't mapped to a field, by header, so points and
+-- insights can be filtered on them. Rows uploaded before this start empty.
+ALTER TABLE upload_rows
+    ADD COLUMN attributes JSONB NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,186 @@
+// Import postal code (or FSA) centroids for the offline "postal" geocoder.
+//
+// Usage: npm run import:postal-centroids -- <file.csv> [--country CA] [--replace]
+//
+// The CSV needs a header row with a postal code, latitude and longitude
+// column, and optionally country and place name columns (see COLUMN_ALIASES).
+// --country sets the country for rows without one. Existing codes are
+// updated; --replace also removes codes of the imported countries that the
+// file no longer has. Everything is imported in one transaction.
+import 'dotenv/config'
+import fs from 'fs'
+import { parse } from 'csv-parse'
+import pkg from 'pg'
+import { parseDatabaseUrl } from '../db-config.js'
+const { Pool } = pkg
+
+const INSERT_BATCH_SIZE = 1000
+
+// Accepted header names (compared lowercased, without spaces or punctuation)
+const COLUMN_ALIASES = {
+  postal_code: ['postalcode', 'postal', 'postcode', 'zip', 'zipcode', 'fsa', 'code'],
+  lat: ['lat', 'latitude'],
+  lng: ['lng', 'lon', 'long', 'longitude'],
+  country: ['country', 'countrycode'],
+  place_name: ['placename', 'name', 'place', 'label']
+}
+
+// Helper function to read the command line: <file> [--country XX] [--replace]
+function parseArgs(argv) {
+  const args = { file: null, country: null, replace: false }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--replace') {
+      args.replace = true
+    } else if (argv[i] === '--country') {
+      args.country = argv[++i]
+    } else if (!args.file) {
+      args.file = argv[i]
+    } else {
+      return { error: `Unexpected argument: ${argv[i]}` }
+    }
+  }
+  if (!args.file) {
+    return { error: 'Usage: npm run import:postal-centroids -- <file.csv> [--country CA] [--replace]' }
+  }
+  if (args.country && !/^[a-z]{2}$/i.test(args.country)) {
+    return { error: '--country must be a two-letter country code' }
+  }
+  return args
+}
+
+// Helper function to find which header holds each field
+function resolveColumns(headers) {
+  const columns = {}
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    columns[field] = headers.find(header => aliases.includes(header.toLowerCase().replace(/[^a-z]/g, ''))) || null
+  }
+  return columns
+}
+
+// Helper function to turn a CSV record into a postal_centroids row, or an error message
+function buildCentroid(record, columns, defaultCountry) {
+  const postalCode = String(record[columns.postal_code] ?? '').toUpperCase().replace(/[\s-]/g, '')
+  const country = String((columns.country && record[columns.country]) || defaultCountry || '').trim().toUpperCase()
+  const lat = parseFloat(record[columns.lat])
+  const lng = parseFloat(record[columns.lng])
+
+  if (!postalCode) return { error: 'missing postal code' }
+  if (!/^[A-Z]{2}$/.test(country)) return { error: 'missing or invalid country (use --country for files without one)' }
+  if (!(lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180)) return { error: 'invalid coordinates' }
+
+  const placeName = columns.place_name ? String(record[columns.place_name] ?? '').trim() : ''
+  return { centroid: [country, postalCode, lat, lng, placeName || null] }
+}
+
+// Helper function to upsert a batch of centroids and return how many were
+// written. A postal code listed twice in one batch keeps its last row, since
+// one INSERT ... ON CONFLICT can't update the same row twice.
+async function insertCentroids(client, batch) {
+  const byKey = new Map()
+  for (const centroid of batch) {
+    byKey.set(`${centroid[0]} ${centroid[1]}`, centroid)
+  }
+  const centroids = [...byKey.values()]
+  const placeholders = centroids.map((_, i) => {
+    const base = i * 5
+    return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4},
+             ST_SetSRID(ST_MakePoint($${base + 4}, $${base + 3}), 4326)::geography, $${base + 5})`
+  })
+  await client.query(
+    `INSERT INTO postal_centroids (country, postal_code, lat, lng, geom, place_name)
+     VALUES ${placeholders.join(', ')}
+     ON CONFLICT (country, postal_code) DO UPDATE
+     SET lat = EXCLUDED.lat, lng = EXCLUDED.lng, geom = EXCLUDED.geom,
+         place_name = EXCLUDED.place_name, imported_at = NOW()`,
+    centroids.flat()
+  )
+  return centroids.length
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.error) {
+    console.error(args.error)
+    process.exit(1)
+  }
+  if (!process.env.DATABASE_URL) {
+    console.error('ERROR: DATABASE_URL environment variable is required')
+    process.exit(1)
+  }
+
+  // Same connection settings as the API
+  let dbConfig
+  try {
+    dbConfig = parseDatabaseUrl(process.env.DATABASE_URL)
+  } catch (error) {
+    console.error('ERROR: Invalid DATABASE_URL format:', error.message)
+    process.exit(1)
+  }
+
+  const pool = new Pool(dbConfig)
+  const client = await pool.connect()
+  let imported = 0
+  let skipped = 0
+  const countries = new Set()
+
+  try {
+    await client.query('BEGIN')
+
+    const parser = fs.createReadStream(args.file).pipe(parse({ columns: true, bom: true, trim: true, skip_empty_lines: true }))
+    let columns = null
+    let batch = []
+    let line = 1
+
+    for await (const record of parser) {
+      line++
+      if (!columns) {
+        columns = resolveColumns(Object.keys(record))
+        const missing = ['postal_code', 'lat', 'lng'].filter(field => !columns[field])
+        if (missing.length > 0) {
+          throw new Error(`No column found for: ${missing.join(', ')}`)
+        }
+      }
+
+      const { centroid, error } = buildCentroid(record, columns, args.country)
+      if (error) {
+        // Show the first few problems; the rest are only counted
+        if (skipped < 10) console.warn(`Line ${line}: skipped, ${error}`)
+        skipped++
+        continue
+      }
+
+      countries.add(centroid[0])
+      batch.push(centroid)
+      if (batch.length >= INSERT_BATCH_SIZE) {
+        imported += await insertCentroids(client, batch)
+        batch = []
+      }
+    }
+    if (batch.length > 0) {
+      imported += await insertCentroids(client, batch)
+    }
+
+    // Everything this import touched has imported_at = NOW(), the transaction's start time
+    let removed = 0
+    if (args.replace && countries.size > 0) {
+      const result = await client.query(
+        'DELETE FROM postal_centroids WHERE country = ANY($1) AND imported_at < NOW()',
+        [[...countries]]
+      )
+      removed = result.rowCount
+    }
+
+    await client.query('COMMIT')
+    console.log(`Imported ${imported} postal centroids for ${[...countries].join(', ') || 'no countries'}` +
+      `${skipped ? `, skipped ${skipped} rows` : ''}${args.replace ? `, removed ${removed}` : ''}`)
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {})
+    console.error('Import failed:', error.message)
+    process.exitCode = 1
+  } finally {
+    client.release()
+    await pool.end()
+  }
+}
+
+main()
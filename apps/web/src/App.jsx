@@ -38,6 +38,84 @@ if (import.meta.env.DEV) {
   console.log('VITE_API_URL env var:', import.meta.env.VITE_API_URL || '(not set)')
 }
 
+// Density grid cell sizes (geohash lengths) offered in the insights panel
+const GRID_RESOLUTIONS = [
+  { value: 5, label: '~5 km' },
+  { value: 6, label: '~1 km' },
+  { value: 7, label: '~150 m' }
+]
+
+// How far from dense areas white space is looked for, in km
+const WHITE_SPACE_RADII = [1, 3, 5, 10]
+
+// What density (insights ranking and heatmap) can be weighted by
+const DENSITY_WEIGHTS = [
+  { value: 'rows', label: 'Rows' },
+  { value: 'customer_count', label: 'Customers' },
+  { value: 'revenue', label: 'Revenue' }
+]
+
+// Segments the points can be colored by
+const COLOR_BY_OPTIONS = [
+  { value: 'none', label: 'Single color' },
+  { value: 'service_type', label: 'Service type' },
+  { value: 'revenue_bucket', label: 'Revenue bucket' }
+]
+
+// Colors of segment values, in the order the API lists them; the rest are gray
+const SEGMENT_COLORS = ['#3b82f6', '#f59e0b', '#10b981', '#ec4899', '#8b5cf6', '#ef4444', '#14b8a6', '#eab308']
+const OTHER_SEGMENT_COLOR = '#6b7280'
+
+// Small secondary buttons of the white space search area controls
+const SMALL_BUTTON_STYLE = {
+  padding: '6px 10px',
+  backgroundColor: 'rgba(255, 255, 255, 0.05)',
+  color: '#e5e7eb',
+  border: '1px solid rgba(255, 255, 255, 0.1)',
+  borderRadius: '8px',
+  fontSize: '12px',
+  cursor: 'pointer'
+}
+
+// Diverging colors of the comparison layer, from losses to gains
+const COMPARE_LOSS_COLOR = '#ef4444'
+const COMPARE_GAIN_COLOR = '#10b981'
+
+// Buttons of the compare panel, as tall as its upload ID input
+const COMPARE_BUTTON_STYLE = {
+  padding: '8px 16px',
+  backgroundColor: 'rgba(255, 255, 255, 0.05)',
+  color: '#e5e7eb',
+  border: '1px solid rgba(255, 255, 255, 0.1)',
+  borderRadius: '8px',
+  fontSize: '13px',
+  cursor: 'pointer',
+  height: '36px'
+}
+
+// Attributes with more values than this (names, ids) get no filter
+const MAX_FILTER_OPTIONS = 20
+
+const segmentColor = (index) => SEGMENT_COLORS[index] || OTHER_SEGMENT_COLOR
+
+// Add the segment filters ({ service_type: [...], 'attr.Plan': [...] }) to query parameters,
+// one repeated parameter per value since values may contain commas
+const appendFilterParams = (params, filters) => {
+  for (const [param, values] of Object.entries(filters)) {
+    for (const value of values) {
+      params.append(param, value)
+    }
+  }
+}
+
+// Format a geocoding ETA in seconds as "45s", "3m" or "1h 20m"
+const formatEta = (seconds) => {
+  if (seconds < 60) return `${seconds}s`
+  const minutes = Math.round(seconds / 60)
+  if (minutes < 60) return `${minutes}m`
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+}
+
 function App() {
   const mapContainer = useRef(null)
   const map = useRef(null)
@@ -45,13 +123,27 @@ function App() {
   
   const [uploadId, setUploadId] = useState(null)
   const [uploadStats, setUploadStats] = useState(null)
-  const [status, setStatus] = useState('idle') // idle, uploaded, processing, done, error
+  const [status, setStatus] = useState('idle') // idle, uploaded, processing, paused, cancelled, done, error
   const [points, setPoints] = useState([])
   const [showHeatmap, setShowHeatmap] = useState(false)
+  const [showGrid, setShowGrid] = useState(false)
+  const [gridResolution, setGridResolution] = useState(6)
+  const [densityWeight, setDensityWeight] = useState('rows')
+  const [whiteSpaceRadius, setWhiteSpaceRadius] = useState(3)
+  const [segments, setSegments] = useState(null) // values to filter on, from /segments
+  const [segmentFilters, setSegmentFilters] = useState({})
+  const [showFilters, setShowFilters] = useState(false)
+  const [colorBy, setColorBy] = useState('none')
+  const [compareBaseId, setCompareBaseId] = useState('') // upload the current one is compared against
+  const [comparison, setComparison] = useState(null)
+  const [searchArea, setSearchArea] = useState(null) // GeoJSON Polygon white space is looked for in
+  const [drawingPoints, setDrawingPoints] = useState(null) // [lng, lat] corners while drawing a search area
   const [insights, setInsights] = useState(null)
-  const [activeHighlight, setActiveHighlight] = useState(null) // { type: 'dense'|'whitespace', center: {lat, lng}, radius: number }
+  const [activeHighlight, setActiveHighlight] = useState(null) // { type: 'dense'|'whitespace', center: {lat, lng}, radius: number, cell: GeoJSON Polygon }
   const [selectedFileName, setSelectedFileName] = useState(null)
   const [isExporting, setIsExporting] = useState(false)
+  const [progress, setProgress] = useState(null) // { total, processed, success, lowConfidence, failed, percent, etaSeconds }
+  const eventSourceRef = useRef(null)
   const appContainerRef = useRef(null)
   
   // Bottom sheet drag state
@@ -92,6 +184,75 @@ function App() {
             }
           })
 
+          // Density grid cells from insights, drawn under the points (initially hidden)
+          map.current.addSource('density-cells', {
+            type: 'geojson',
+            data: {
+              type: 'FeatureCollection',
+              features: []
+            }
+          })
+
+          map.current.addLayer({
+            id: 'density-cells-fill',
+            type: 'fill',
+            source: 'density-cells',
+            layout: { visibility: 'none' },
+            paint: {
+              'fill-color': '#3b82f6',
+              'fill-opacity': ['interpolate', ['linear'], ['get', 'intensity'], 0, 0.05, 1, 0.6]
+            }
+          })
+
+          map.current.addLayer({
+            id: 'density-cells-outline',
+            type: 'line',
+            source: 'density-cells',
+            layout: { visibility: 'none' },
+            paint: {
+              'line-color': '#60a5fa',
+              'line-width': 1,
+              'line-opacity': 0.4
+            }
+          })
+
+          // Cell changes against a compared upload, red for losses and green for gains
+          map.current.addSource('compare-cells', {
+            type: 'geojson',
+            data: {
+              type: 'FeatureCollection',
+              features: []
+            }
+          })
+
+          map.current.addLayer({
+            id: 'compare-cells-fill',
+            type: 'fill',
+            source: 'compare-cells',
+            layout: { visibility: 'none' },
+            paint: {
+              'fill-color': [
+                'interpolate', ['linear'], ['get', 'change'],
+                -1, COMPARE_LOSS_COLOR,
+                0, '#6b7280',
+                1, COMPARE_GAIN_COLOR
+              ],
+              'fill-opacity': ['interpolate', ['linear'], ['abs', ['get', 'change']], 0, 0.05, 1, 0.6]
+            }
+          })
+
+          map.current.addLayer({
+            id: 'compare-cells-outline',
+            type: 'line',
+            source: 'compare-cells',
+            layout: { visibility: 'none' },
+            paint: {
+              'line-color': '#9ca3af',
+              'line-width': 1,
+              'line-opacity': 0.3
+            }
+          })
+
           // Add heatmap layer first (initially hidden)
           map.current.addLayer({
             id: 'geocoded-heatmap-layer',
@@ -164,6 +325,49 @@ function App() {
               'line-opacity': 0.8
             }
           })
+
+          // White space search area, drawn by the user
+          map.current.addSource('search-area', {
+            type: 'geojson',
+            data: {
+              type: 'FeatureCollection',
+              features: []
+            }
+          })
+
+          map.current.addLayer({
+            id: 'search-area-fill',
+            type: 'fill',
+            source: 'search-area',
+            filter: ['==', ['geometry-type'], 'Polygon'],
+            paint: {
+              'fill-color': '#ec4899',
+              'fill-opacity': 0.05
+            }
+          })
+
+          map.current.addLayer({
+            id: 'search-area-outline',
+            type: 'line',
+            source: 'search-area',
+            filter: ['!=', ['geometry-type'], 'Point'],
+            paint: {
+              'line-color': '#ec4899',
+              'line-width': 2,
+              'line-dasharray': [2, 2]
+            }
+          })
+
+          map.current.addLayer({
+            id: 'search-area-corners',
+            type: 'circle',
+            source: 'search-area',
+            filter: ['==', ['geometry-type'], 'Point'],
+            paint: {
+              'circle-radius': 4,
+              'circle-color': '#ec4899'
+            }
+          })
         }
       })
     } catch (error) {
@@ -185,10 +389,23 @@ function App() {
             type: 'Point',
             coordinates: [point.lng, point.lat]
           },
-          properties: { id: point.id }
+          properties: {
+            id: point.id,
+            weight: point.weight,
+            service_type: point.service_type,
+            revenue_bucket: point.revenue_bucket
+          }
         }))
       })
 
+      // Heatmap weights are relative to the heaviest point, as the API weights have no fixed scale
+      const maxWeight = points.reduce((max, point) => Math.max(max, point.weight), 0)
+      map.current.setPaintProperty(
+        'geocoded-heatmap-layer',
+        'heatmap-weight',
+        maxWeight > 0 ? ['/', ['get', 'weight'], maxWeight] : 1
+      )
+
       // Fit map to bounds if we have points
       if (points.length > 0) {
         const bounds = new mapboxgl.LngLatBounds()
@@ -215,13 +432,121 @@ function App() {
     }
   }, [showHeatmap])
 
+  // Draw the comparison, shaded by each cell's change relative to the biggest one
+  useEffect(() => {
+    if (!map.current || !map.current.getSource('compare-cells')) return
+
+    const features = comparison?.cells?.features || []
+    const maxChange = features.reduce((max, feature) => Math.max(max, Math.abs(feature.properties.weightedDelta)), 1)
+    map.current.getSource('compare-cells').setData({
+      type: 'FeatureCollection',
+      features: features.map(feature => ({
+        ...feature,
+        properties: { ...feature.properties, change: feature.properties.weightedDelta / maxChange }
+      }))
+    })
+
+    const visibility = features.length > 0 ? 'visible' : 'none'
+    map.current.setLayoutProperty('compare-cells-fill', 'visibility', visibility)
+    map.current.setLayoutProperty('compare-cells-outline', 'visibility', visibility)
+  }, [comparison])
+
+  // Color points by the chosen segment, matching values the way the API filters them
+  useEffect(() => {
+    if (!map.current || !map.current.getLayer('geocoded-points-layer')) return
+
+    const values = colorBy !== 'none' ? segments?.[colorBy] || [] : []
+    const color = values.length > 0
+      ? [
+          'match',
+          ['downcase', ['coalesce', ['get', colorBy], '']],
+          ...values.flatMap((entry, index) => [entry.value.toLowerCase(), segmentColor(index)]),
+          OTHER_SEGMENT_COLOR
+        ]
+      : '#3b82f6'
+    map.current.setPaintProperty('geocoded-points-layer', 'circle-color', color)
+  }, [colorBy, segments])
+
+  // Draw the insights grid, shaded by each cell's share of the densest cell
+  useEffect(() => {
+    if (!map.current || !map.current.getSource('density-cells')) return
+
+    const features = insights?.cells?.features || []
+    const maxCount = features.reduce((max, feature) => Math.max(max, feature.properties.weightedCount), 1)
+    map.current.getSource('density-cells').setData({
+      type: 'FeatureCollection',
+      features: features.map(feature => ({
+        ...feature,
+        properties: { ...feature.properties, intensity: feature.properties.weightedCount / maxCount }
+      }))
+    })
+
+    const visibility = showGrid && features.length > 0 ? 'visible' : 'none'
+    map.current.setLayoutProperty('density-cells-fill', 'visibility', visibility)
+    map.current.setLayoutProperty('density-cells-outline', 'visibility', visibility)
+  }, [insights, showGrid])
+
+  // While drawing a search area, each map click adds a corner
+  const isDrawing = drawingPoints !== null
+  useEffect(() => {
+    if (!map.current || !isDrawing) return
+
+    const handleClick = (e) => {
+      setDrawingPoints(corners => [...corners, [e.lngLat.lng, e.lngLat.lat]])
+    }
+    map.current.on('click', handleClick)
+    map.current.getCanvas().style.cursor = 'crosshair'
+
+    return () => {
+      map.current.off('click', handleClick)
+      map.current.getCanvas().style.cursor = ''
+    }
+  }, [isDrawing])
+
+  // Draw the search area, or its corners while it's being drawn
+  useEffect(() => {
+    if (!map.current || !map.current.getSource('search-area')) return
+
+    let features = []
+    if (drawingPoints) {
+      features = drawingPoints.map(corner => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: corner },
+        properties: {}
+      }))
+      if (drawingPoints.length > 1) {
+        features.push({
+          type: 'Feature',
+          geometry: { type: 'LineString', coordinates: drawingPoints },
+          properties: {}
+        })
+      }
+    } else if (searchArea) {
+      features = [{ type: 'Feature', geometry: searchArea, properties: {} }]
+    }
+    map.current.getSource('search-area').setData({ type: 'FeatureCollection', features })
+  }, [drawingPoints, searchArea])
+
   // Update highlight circle when activeHighlight changes
   useEffect(() => {
     if (!map.current || !map.current.getSource('highlight-circle')) return
 
     const source = map.current.getSource('highlight-circle')
     
-    if (activeHighlight) {
+    if (activeHighlight?.cell) {
+      // Grid cells are drawn as they are
+      source.setData({
+        type: 'FeatureCollection',
+        features: [{
+          type: 'Feature',
+          geometry: activeHighlight.cell
+        }]
+      })
+
+      const bounds = new mapboxgl.LngLatBounds()
+      activeHighlight.cell.coordinates[0].forEach(coordinate => bounds.extend(coordinate))
+      map.current.fitBounds(bounds, { padding: 120, maxZoom: 16, duration: 1000 })
+    } else if (activeHighlight) {
       // Create a circle polygon with proper geodesic calculation
       const center = [activeHighlight.center.lng, activeHighlight.center.lat]
       const radiusKm = activeHighlight.radius
@@ -283,13 +608,25 @@ function App() {
     // Reset state when new file selected
     if (e.target.files.length > 0) {
       setSelectedFileName(e.target.files[0].name)
+      // The upload being replaced is the natural one to compare the new one against
+      if (uploadId) {
+        setCompareBaseId(uploadId)
+      }
+      setComparison(null)
+      closeProgressEvents()
       setUploadId(null)
       setUploadStats(null)
+      setProgress(null)
       setStatus('idle')
       setPoints([])
       setInsights(null)
       setSheetPosition(0.5)
       setActiveHighlight(null)
+      setSearchArea(null)
+      setDrawingPoints(null)
+      setSegments(null)
+      setSegmentFilters({})
+      setShowFilters(false)
     } else {
       setSelectedFileName(null)
     }
@@ -298,7 +635,7 @@ function App() {
   const handleUpload = async () => {
     const file = fileInputRef.current?.files[0]
     if (!file) {
-      alert('Please select a CSV file')
+      alert('Please select a file')
       return
     }
 
@@ -322,7 +659,8 @@ function App() {
       setUploadStats({
         totalRows: data.totalRows,
         validRows: data.validRows,
-        invalidRows: data.invalidRows
+        invalidRows: data.invalidRows,
+        duplicateRows: data.duplicates ? data.duplicates.exact + data.duplicates.nearby : 0
       })
       setStatus('uploaded')
     } catch (error) {
@@ -336,11 +674,102 @@ function App() {
     }
   }
 
+  const closeProgressEvents = () => {
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close()
+      eventSourceRef.current = null
+    }
+  }
+
+  // Follow geocoding progress over Server-Sent Events until the upload is done or failed
+  const watchProgress = (id) => {
+    closeProgressEvents()
+    const events = new EventSource(`${API_BASE}/api/uploads/${id}/events`)
+    eventSourceRef.current = events
+
+    events.addEventListener('progress', (e) => {
+      const data = JSON.parse(e.data)
+      setProgress(data)
+      // Follow pauses and resumes, including ones made elsewhere
+      if (data.status === 'processing' || data.status === 'paused') {
+        setStatus(data.status)
+      }
+    })
+
+    events.addEventListener('done', async (e) => {
+      closeProgressEvents()
+      const finalProgress = JSON.parse(e.data)
+      setProgress(finalProgress)
+      setStatus(finalProgress.status === 'done' || finalProgress.status === 'cancelled' ? finalProgress.status : 'error')
+
+      fetchPoints(id)
+      fetchSegments(id)
+
+      // Fetch insights when geocoding completes
+      if (finalProgress.status === 'done') {
+        fetchInsights(id)
+      }
+    })
+
+    // The browser reconnects on its own after a dropped connection; a closed
+    // stream (or an error event from the server) means it won't
+    events.addEventListener('error', (e) => {
+      if (e.data || events.readyState === EventSource.CLOSED) {
+        console.error('Progress stream error:', e.data || 'connection closed')
+        closeProgressEvents()
+        setStatus('error')
+      }
+    })
+  }
+
+  // Pause, resume or cancel the running geocode job; the progress events report the outcome
+  const handleJobAction = async (action) => {
+    if (!uploadId) return
+
+    try {
+      const response = await fetch(`${API_BASE}/api/uploads/${uploadId}/${action}`, {
+        method: 'POST'
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || `Could not ${action} geocoding`)
+      }
+      setStatus(data.status)
+    } catch (error) {
+      console.error(`Error trying to ${action} geocoding:`, error)
+      alert(error.message)
+    }
+  }
+
+  // Stop listening when the app unmounts
+  useEffect(() => closeProgressEvents, [])
+
+  // Close the drawn corners into the white space search area
+  const finishSearchArea = () => {
+    if (!drawingPoints || drawingPoints.length < 3) return
+
+    const area = {
+      type: 'Polygon',
+      coordinates: [[...drawingPoints, drawingPoints[0]]]
+    }
+    setSearchArea(area)
+    setDrawingPoints(null)
+    setActiveHighlight(null)
+    fetchInsights(uploadId, { area })
+  }
+
+  const clearSearchArea = () => {
+    setSearchArea(null)
+    setActiveHighlight(null)
+    fetchInsights(uploadId, { area: null })
+  }
+
   const handleGeocode = async () => {
     if (!uploadId) return
 
     try {
       setStatus('processing')
+      setProgress(null)
       const response = await fetch(`${API_BASE}/api/uploads/${uploadId}/geocode`, {
         method: 'POST'
       })
@@ -349,37 +778,7 @@ function App() {
         throw new Error('Geocoding request failed')
       }
 
-      // Poll for completion
-      const pollInterval = setInterval(async () => {
-        try {
-          const statusResponse = await fetch(`${API_BASE}/api/uploads/${uploadId}/points`)
-          if (statusResponse.ok) {
-            const pointsData = await statusResponse.json()
-            
-            // Check upload status
-            const uploadResponse = await fetch(`${API_BASE}/api/uploads/${uploadId}`)
-            if (uploadResponse.ok) {
-              const uploadData = await uploadResponse.json()
-              
-              if (uploadData.status === 'done' || uploadData.status === 'failed') {
-                clearInterval(pollInterval)
-                setStatus(uploadData.status === 'done' ? 'done' : 'error')
-                setPoints(pointsData)
-                
-                // Fetch insights when geocoding completes
-                if (uploadData.status === 'done') {
-                  fetchInsights(uploadId)
-                }
-              }
-            }
-          }
-        } catch (error) {
-          console.error('Polling error:', error)
-        }
-      }, 2000) // Poll every 2 seconds
-
-      // Stop polling after 5 minutes
-      setTimeout(() => clearInterval(pollInterval), 300000)
+      watchProgress(uploadId)
     } catch (error) {
       console.error('Geocoding error:', error)
       setStatus('error')
@@ -387,9 +786,38 @@ function App() {
     }
   }
 
-  const fetchInsights = async (id) => {
+  const fetchPoints = async (id, options = {}) => {
+    const { weight = densityWeight, filters = segmentFilters } = options
+    const params = new URLSearchParams({ weight })
+    appendFilterParams(params, filters)
+
+    try {
+      const response = await fetch(`${API_BASE}/api/uploads/${id}/points?${params}`)
+      if (response.ok) {
+        setPoints(await response.json())
+      }
+    } catch (error) {
+      console.error('Error fetching points:', error)
+    }
+  }
+
+  // Options override the current panel settings, which may not have been applied yet
+  const fetchInsights = async (id, options = {}) => {
+    const {
+      resolution = gridResolution,
+      weight = densityWeight,
+      radius = whiteSpaceRadius,
+      area = searchArea,
+      filters = segmentFilters
+    } = options
+    const params = new URLSearchParams({ resolution, weight, whiteSpaceRadiusKm: radius })
+    if (area) {
+      params.set('area', JSON.stringify(area))
+    }
+    appendFilterParams(params, filters)
+
     try {
-      const response = await fetch(`${API_BASE}/api/uploads/${id}/insights`)
+      const response = await fetch(`${API_BASE}/api/uploads/${id}/insights?${params}`)
       if (response.ok) {
         const data = await response.json()
         setInsights(data)
@@ -399,11 +827,108 @@ function App() {
     }
   }
 
+  // Compare the current upload against a base upload, with the current panel settings
+  const fetchComparison = async (baseId, options = {}) => {
+    const {
+      resolution = gridResolution,
+      weight = densityWeight,
+      filters = segmentFilters
+    } = options
+    const params = new URLSearchParams({ base: baseId, target: uploadId, resolution, weight })
+    appendFilterParams(params, filters)
+
+    try {
+      const response = await fetch(`${API_BASE}/api/compare?${params}`)
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Comparison failed')
+      }
+      setComparison(data)
+    } catch (error) {
+      console.error('Error comparing uploads:', error)
+      alert(error.message)
+    }
+  }
+
+  const fetchSegments = async (id) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/uploads/${id}/segments`)
+      if (response.ok) {
+        setSegments(await response.json())
+      }
+    } catch (error) {
+      console.error('Error fetching segments:', error)
+    }
+  }
+
+  // Apply new segment filters to the points and insights
+  const applySegmentFilters = (filters) => {
+    setSegmentFilters(filters)
+    setActiveHighlight(null)
+    fetchPoints(uploadId, { filters })
+    if (insights) {
+      fetchInsights(uploadId, { filters })
+    }
+    if (comparison) {
+      fetchComparison(comparison.base.uploadId, { filters })
+    }
+  }
+
+  const toggleFilterValue = (param, value) => {
+    const current = segmentFilters[param] || []
+    const values = current.includes(value) ? current.filter(item => item !== value) : [...current, value]
+    const filters = { ...segmentFilters, [param]: values }
+    if (values.length === 0) {
+      delete filters[param]
+    }
+    applySegmentFilters(filters)
+  }
+
+  // Filterable fields: the segment columns, then attributes with few enough values
+  const filterGroups = segments
+    ? [
+        { param: 'service_type', label: 'Service type', values: segments.service_type },
+        { param: 'revenue_bucket', label: 'Revenue bucket', values: segments.revenue_bucket },
+        ...segments.attributes
+          .filter(attribute => attribute.distinctValues <= MAX_FILTER_OPTIONS)
+          .map(attribute => ({ param: `attr.${attribute.key}`, label: attribute.key, values: attribute.values }))
+      ].filter(group => group.values.length > 0)
+    : []
+  const activeFilterCount = Object.keys(segmentFilters).length
+
+  // Dense areas that appeared or disappeared in the comparison; a click shows the cell
+  const renderChangedAreas = (title, areas, color) => (
+    <div style={{ flex: 1, minWidth: '200px' }}>
+      <div style={{ fontSize: '13px', fontWeight: '600', color, marginBottom: '8px' }}>
+        {title}
+      </div>
+      {areas.length > 0 ? areas.map(area => (
+        <div
+          key={area.cellId}
+          onClick={() => setActiveHighlight({ type: 'dense', center: area.center, radius: 1, cell: area.cell })}
+          style={{
+            padding: '6px 0',
+            fontSize: '13px',
+            color: '#e5e7eb',
+            cursor: 'pointer'
+          }}
+        >
+          {area.label || `${area.center.lat.toFixed(2)}, ${area.center.lng.toFixed(2)}`}
+          <span style={{ color: '#6b7280', marginLeft: '6px' }}>{area.count}</span>
+        </div>
+      )) : (
+        <div style={{ fontSize: '13px', color: '#6b7280', fontStyle: 'italic' }}>None</div>
+      )}
+    </div>
+  )
+
   const getStatusText = () => {
     switch (status) {
       case 'idle': return 'Idle'
       case 'uploaded': return 'Uploaded'
       case 'processing': return 'Processing...'
+      case 'paused': return 'Paused'
+      case 'cancelled': return 'Cancelled'
       case 'done': return 'Done'
       case 'error': return 'Error'
       default: return 'Idle'
@@ -459,6 +984,9 @@ function App() {
     }
   }
 
+  // A paused job still holds the upload, so it can't be started again until cancelled
+  const isGeocoding = status === 'processing' || status === 'paused'
+
   const topBarHeight = 64
   const viewportHeight = typeof window !== 'undefined' ? window.innerHeight : 1000
   const maxSheetHeight = viewportHeight - topBarHeight
@@ -580,7 +1108,7 @@ function App() {
         justifyContent: 'space-between',
         gap: '12px'
       }}>
-        {/* Left Zone: Choose CSV + Upload + Filename */}
+        {/* Left Zone: Choose File + Upload + Filename */}
         <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
           <label style={{
             display: 'inline-flex',
@@ -611,11 +1139,11 @@ function App() {
             <input
               ref={fileInputRef}
               type="file"
-              accept=".csv"
+              accept=".csv,.tsv,.txt,.xlsx,.geojson,.json"
               onChange={handleFileChange}
               style={{ display: 'none' }}
             />
-            Choose CSV
+            Choose File
           </label>
 
           {selectedFileName ? (
@@ -673,8 +1201,26 @@ function App() {
           </button>
         </div>
 
-        {/* Right Zone: Heatmap + Status/Counts + Run Geocode */}
+        {/* Right Zone: Filters + Heatmap + Status/Counts + Run Geocode */}
         <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          {filterGroups.length > 0 && (
+            <button
+              onClick={() => setShowFilters(!showFilters)}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: showFilters || activeFilterCount > 0 ? 'rgba(59, 130, 246, 0.2)' : 'rgba(255, 255, 255, 0.05)',
+                color: '#e5e7eb',
+                border: activeFilterCount > 0 ? '1px solid rgba(59, 130, 246, 0.6)' : '1px solid rgba(255, 255, 255, 0.1)',
+                borderRadius: '8px',
+                fontSize: '13px',
+                cursor: 'pointer',
+                height: '36px'
+              }}
+            >
+              {activeFilterCount > 0 ? `Filters (${activeFilterCount})` : 'Filters'}
+            </button>
+          )}
+
           {points.length > 0 && (
             <label style={{
               display: 'flex',
@@ -699,6 +1245,69 @@ function App() {
             </label>
           )}
 
+          {points.length > 0 && (
+            <select
+              value={densityWeight}
+              onChange={(e) => {
+                const weight = e.target.value
+                setDensityWeight(weight)
+                setActiveHighlight(null)
+                fetchPoints(uploadId, { weight })
+                if (insights) {
+                  fetchInsights(uploadId, { weight })
+                }
+                if (comparison) {
+                  fetchComparison(comparison.base.uploadId, { weight })
+                }
+              }}
+              title="Weight density by"
+              style={{
+                padding: '8px 12px',
+                backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                color: '#e5e7eb',
+                border: '1px solid rgba(255, 255, 255, 0.1)',
+                borderRadius: '8px',
+                fontSize: '13px',
+                height: '36px',
+                cursor: 'pointer'
+              }}
+            >
+              {DENSITY_WEIGHTS.map(option => (
+                <option key={option.value} value={option.value} style={{ color: '#111827' }}>
+                  Weight: {option.label}
+                </option>
+              ))}
+            </select>
+          )}
+
+          {insights?.cells && (
+            <label style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              padding: '8px 16px',
+              backgroundColor: 'rgba(255, 255, 255, 0.05)',
+              borderRadius: '8px',
+              border: '1px solid rgba(255, 255, 255, 0.1)',
+              cursor: 'pointer',
+              fontSize: '13px',
+              color: '#e5e7eb',
+              height: '36px'
+            }}>
+              <input
+                type="checkbox"
+                checked={showGrid}
+                onChange={(e) => setShowGrid(e.target.checked)}
+                style={{ cursor: 'pointer', accentColor: '#3b82f6' }}
+              />
+              <span>
+                {insights?.cells?.truncated
+                  ? `Grid (densest ${insights.cells.features.length} of ${insights.cells.totalCells})`
+                  : 'Grid'}
+              </span>
+            </label>
+          )}
+
           <div style={{
             padding: '8px 16px',
             backgroundColor: 'rgba(255, 255, 255, 0.05)',
@@ -713,6 +1322,46 @@ function App() {
             Status: <strong style={{ marginLeft: '6px', color: '#60a5fa' }}>{getStatusText()}</strong>
           </div>
 
+          {isGeocoding && progress && (
+            <div style={{
+              padding: '8px 16px',
+              backgroundColor: 'rgba(255, 255, 255, 0.05)',
+              borderRadius: '8px',
+              fontSize: '12px',
+              color: '#9ca3af',
+              border: '1px solid rgba(255, 255, 255, 0.1)',
+              height: '36px',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '10px',
+              minWidth: '260px'
+            }}>
+              <div style={{
+                flex: 1,
+                height: '6px',
+                backgroundColor: 'rgba(255, 255, 255, 0.1)',
+                borderRadius: '3px',
+                overflow: 'hidden'
+              }}>
+                <div style={{
+                  width: `${progress.percent}%`,
+                  height: '100%',
+                  backgroundColor: '#10b981',
+                  transition: 'width 0.5s ease'
+                }} />
+              </div>
+              <span style={{ whiteSpace: 'nowrap' }}>
+                <strong style={{ color: '#e5e7eb' }}>{progress.processed}</strong> / {progress.total}
+                {progress.failed > 0 && (
+                  <span style={{ color: '#ef4444' }}> · {progress.failed} failed</span>
+                )}
+                {progress.etaSeconds !== null && (
+                  <> · {formatEta(progress.etaSeconds)} left</>
+                )}
+              </span>
+            </div>
+          )}
+
 
           {uploadStats && (
             <div style={{
@@ -729,6 +1378,18 @@ function App() {
               Total: <strong style={{ color: '#e5e7eb', marginLeft: '4px' }}>{uploadStats.totalRows}</strong>
               {' | '}Valid: <strong style={{ color: '#10b981', marginLeft: '4px' }}>{uploadStats.validRows}</strong>
               {' | '}Invalid: <strong style={{ color: '#ef4444', marginLeft: '4px' }}>{uploadStats.invalidRows}</strong>
+              {uploadStats.invalidRows > 0 && (
+                <a
+                  href={`${API_BASE}/api/uploads/${uploadId}/rejects.csv`}
+                  download
+                  style={{ color: '#f87171', marginLeft: '6px', textDecoration: 'underline' }}
+                >
+                  Download
+                </a>
+              )}
+              {uploadStats.duplicateRows > 0 && (
+                <> {' | '}Duplicates: <strong style={{ color: '#f59e0b', marginLeft: '4px' }}>{uploadStats.duplicateRows}</strong></>
+              )}
               {points.length > 0 && (
                 <> {' | '}Geocoded: <strong style={{ color: '#3b82f6', marginLeft: '4px' }}>{points.length}</strong></>
               )}
@@ -737,37 +1398,190 @@ function App() {
 
           <button
             onClick={handleGeocode}
-            disabled={!uploadId || status === 'processing'}
+            disabled={!uploadId || isGeocoding}
             style={{
               padding: '8px 20px',
-              backgroundColor: uploadId && status !== 'processing' ? '#10b981' : '#4b5563',
+              backgroundColor: uploadId && !isGeocoding ? '#10b981' : '#4b5563',
               color: 'white',
               border: 'none',
               borderRadius: '8px',
               fontSize: '14px',
               fontWeight: '600',
-              cursor: uploadId && status !== 'processing' ? 'pointer' : 'not-allowed',
+              cursor: uploadId && !isGeocoding ? 'pointer' : 'not-allowed',
               transition: 'all 0.2s',
               height: '36px',
-              opacity: uploadId && status !== 'processing' ? 1 : 0.6,
-              boxShadow: uploadId && status !== 'processing' ? '0 2px 8px rgba(16, 185, 129, 0.3)' : 'none'
+              opacity: uploadId && !isGeocoding ? 1 : 0.6,
+              boxShadow: uploadId && !isGeocoding ? '0 2px 8px rgba(16, 185, 129, 0.3)' : 'none'
             }}
             onMouseOver={(e) => {
-              if (uploadId && status !== 'processing') {
+              if (uploadId && !isGeocoding) {
                 e.target.style.backgroundColor = '#059669'
                 e.target.style.boxShadow = '0 4px 12px rgba(16, 185, 129, 0.4)'
               }
             }}
             onMouseOut={(e) => {
-              e.target.style.backgroundColor = uploadId && status !== 'processing' ? '#10b981' : '#4b5563'
-              e.target.style.boxShadow = uploadId && status !== 'processing' ? '0 2px 8px rgba(16, 185, 129, 0.3)' : 'none'
+              e.target.style.backgroundColor = uploadId && !isGeocoding ? '#10b981' : '#4b5563'
+              e.target.style.boxShadow = uploadId && !isGeocoding ? '0 2px 8px rgba(16, 185, 129, 0.3)' : 'none'
             }}
           >
             Run Geocode
         </button>
+
+          {isGeocoding && (
+            <>
+              <button
+                onClick={() => handleJobAction(status === 'paused' ? 'resume' : 'pause')}
+                style={{
+                  padding: '8px 16px',
+                  backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                  color: '#f59e0b',
+                  border: '1px solid rgba(245, 158, 11, 0.4)',
+                  borderRadius: '8px',
+                  fontSize: '14px',
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                  height: '36px'
+                }}
+              >
+                {status === 'paused' ? 'Resume' : 'Pause'}
+              </button>
+              <button
+                onClick={() => handleJobAction('cancel')}
+                style={{
+                  padding: '8px 16px',
+                  backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                  color: '#ef4444',
+                  border: '1px solid rgba(239, 68, 68, 0.4)',
+                  borderRadius: '8px',
+                  fontSize: '14px',
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                  height: '36px'
+                }}
+              >
+                Cancel
+              </button>
+            </>
+          )}
         </div>
       </div>
 
+      {/* Segment Filters Panel */}
+      {showFilters && filterGroups.length > 0 && (
+        <div style={{
+          position: 'absolute',
+          top: `${topBarHeight + 12}px`,
+          right: '20px',
+          width: '280px',
+          maxHeight: '60vh',
+          overflowY: 'auto',
+          padding: '16px',
+          backgroundColor: 'rgba(20, 20, 20, 0.9)',
+          backdropFilter: 'blur(20px)',
+          WebkitBackdropFilter: 'blur(20px)',
+          border: '1px solid rgba(255, 255, 255, 0.1)',
+          borderRadius: '12px',
+          zIndex: 999,
+          color: '#e5e7eb',
+          fontSize: '13px'
+        }}>
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: '12px'
+          }}>
+            <strong style={{ fontSize: '15px', color: '#ffffff' }}>Filters</strong>
+            {activeFilterCount > 0 && (
+              <button
+                onClick={() => applySegmentFilters({})}
+                style={{
+                  padding: '4px 10px',
+                  backgroundColor: 'transparent',
+                  color: '#60a5fa',
+                  border: '1px solid rgba(59, 130, 246, 0.4)',
+                  borderRadius: '6px',
+                  fontSize: '12px',
+                  cursor: 'pointer'
+                }}
+              >
+                Clear
+              </button>
+            )}
+          </div>
+
+          <select
+            value={colorBy}
+            onChange={(e) => setColorBy(e.target.value)}
+            title="Color points by"
+            style={{
+              width: '100%',
+              padding: '6px 10px',
+              marginBottom: '16px',
+              backgroundColor: 'rgba(255, 255, 255, 0.05)',
+              color: '#e5e7eb',
+              border: '1px solid rgba(255, 255, 255, 0.1)',
+              borderRadius: '8px',
+              fontSize: '12px',
+              cursor: 'pointer'
+            }}
+          >
+            {COLOR_BY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value} style={{ color: '#111827' }}>
+                Color: {option.label}
+              </option>
+            ))}
+          </select>
+
+          {filterGroups.map(group => (
+            <div key={group.param} style={{ marginBottom: '16px' }}>
+              <div style={{
+                fontSize: '11px',
+                fontWeight: '600',
+                color: '#9ca3af',
+                textTransform: 'uppercase',
+                letterSpacing: '0.05em',
+                marginBottom: '6px'
+              }}>
+                {group.label}
+              </div>
+              {group.values.map((entry, index) => (
+                <label
+                  key={entry.value}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '8px',
+                    padding: '3px 0',
+                    cursor: 'pointer'
+                  }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={(segmentFilters[group.param] || []).includes(entry.value)}
+                    onChange={() => toggleFilterValue(group.param, entry.value)}
+                    style={{ cursor: 'pointer', accentColor: '#3b82f6' }}
+                  />
+                  {group.param === colorBy && (
+                    <span style={{
+                      width: '10px',
+                      height: '10px',
+                      borderRadius: '50%',
+                      backgroundColor: segmentColor(index),
+                      flexShrink: 0
+                    }} />
+                  )}
+                  <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {entry.value}
+                  </span>
+                  <span style={{ color: '#6b7280', fontSize: '12px' }}>{entry.count}</span>
+                </label>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Bottom Sheet */}
       {insights && (
         <div 
@@ -852,55 +1666,86 @@ function App() {
               }}>
                 Insights
               </h2>
-              <button
-                onClick={handleExportPNG}
-                disabled={isExporting}
-                style={{
-                  padding: '8px 20px',
-                  backgroundColor: isExporting ? '#4b5563' : '#8b5cf6',
-                  color: 'white',
-                  border: 'none',
-                  borderRadius: '8px',
-                  fontSize: '14px',
-                  fontWeight: '600',
-                  cursor: isExporting ? 'not-allowed' : 'pointer',
-                  transition: 'all 0.2s',
-                  height: '36px',
-                  opacity: isExporting ? 0.6 : 1,
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: '8px',
-                  boxShadow: isExporting ? 'none' : '0 2px 8px rgba(139, 92, 246, 0.3)'
-                }}
-                onMouseOver={(e) => {
-                  if (!isExporting) {
-                    e.target.style.backgroundColor = '#7c3aed'
-                    e.target.style.boxShadow = '0 4px 12px rgba(139, 92, 246, 0.4)'
-                  }
-                }}
-                onMouseOut={(e) => {
-                  e.target.style.backgroundColor = isExporting ? '#4b5563' : '#8b5cf6'
-                  e.target.style.boxShadow = isExporting ? 'none' : '0 2px 8px rgba(139, 92, 246, 0.3)'
-                }}
-              >
-                {isExporting ? (
-                  <>
-                    <span style={{ 
-                      display: 'inline-block', 
-                      width: '12px', 
-                      height: '12px', 
-                      border: '2px solid rgba(255,255,255,0.3)', 
-                      borderTopColor: 'white', 
-                      borderRadius: '50%', 
-                      animation: 'spin 0.6s linear infinite',
-                      flexShrink: 0
-                    }} />
-                    Exporting...
-                  </>
-                ) : (
-                  'Export PNG'
-                )}
-              </button>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+                <select
+                  value={gridResolution}
+                  onChange={(e) => {
+                    const resolution = parseInt(e.target.value)
+                    setGridResolution(resolution)
+                    setActiveHighlight(null)
+                    fetchInsights(uploadId, { resolution })
+                    if (comparison) {
+                      fetchComparison(comparison.base.uploadId, { resolution })
+                    }
+                  }}
+                  title="Density cell size"
+                  style={{
+                    padding: '8px 12px',
+                    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                    color: '#e5e7eb',
+                    border: '1px solid rgba(255, 255, 255, 0.1)',
+                    borderRadius: '8px',
+                    fontSize: '13px',
+                    height: '36px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {GRID_RESOLUTIONS.map(option => (
+                    <option key={option.value} value={option.value} style={{ color: '#111827' }}>
+                      Cells {option.label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleExportPNG}
+                  disabled={isExporting}
+                  style={{
+                    padding: '8px 20px',
+                    backgroundColor: isExporting ? '#4b5563' : '#8b5cf6',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '8px',
+                    fontSize: '14px',
+                    fontWeight: '600',
+                    cursor: isExporting ? 'not-allowed' : 'pointer',
+                    transition: 'all 0.2s',
+                    height: '36px',
+                    opacity: isExporting ? 0.6 : 1,
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '8px',
+                    boxShadow: isExporting ? 'none' : '0 2px 8px rgba(139, 92, 246, 0.3)'
+                  }}
+                  onMouseOver={(e) => {
+                    if (!isExporting) {
+                      e.target.style.backgroundColor = '#7c3aed'
+                      e.target.style.boxShadow = '0 4px 12px rgba(139, 92, 246, 0.4)'
+                    }
+                  }}
+                  onMouseOut={(e) => {
+                    e.target.style.backgroundColor = isExporting ? '#4b5563' : '#8b5cf6'
+                    e.target.style.boxShadow = isExporting ? 'none' : '0 2px 8px rgba(139, 92, 246, 0.3)'
+                  }}
+                >
+                  {isExporting ? (
+                    <>
+                      <span style={{ 
+                        display: 'inline-block', 
+                        width: '12px', 
+                        height: '12px', 
+                        border: '2px solid rgba(255,255,255,0.3)', 
+                        borderTopColor: 'white', 
+                        borderRadius: '50%', 
+                        animation: 'spin 0.6s linear infinite',
+                        flexShrink: 0
+                      }} />
+                      Exporting...
+                    </>
+                  ) : (
+                    'Export PNG'
+                  )}
+                </button>
+              </div>
             </div>
 
             {/* Big Concentration Card */}
@@ -927,6 +1772,94 @@ function App() {
               }}>
                 of customers in top 3 zones
               </div>
+              {insights.lowConfidence?.rows > 0 && (
+                <div style={{
+                  marginTop: '12px',
+                  fontSize: '13px',
+                  color: '#fbbf24'
+                }}>
+                  {insights.lowConfidence.rows} low-confidence {insights.lowConfidence.rows === 1 ? 'match' : 'matches'}
+                  {insights.lowConfidence.weight > 0 ? ' down-weighted' : ' excluded'}
+                </div>
+              )}
+            </div>
+
+            {/* Compare Card */}
+            <div style={{
+              padding: '20px',
+              backgroundColor: 'rgba(255, 255, 255, 0.05)',
+              borderRadius: '16px',
+              border: '1px solid rgba(255, 255, 255, 0.1)'
+            }}>
+              <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '8px' }}>
+                <strong style={{ fontSize: '16px', color: '#ffffff', marginRight: '4px' }}>Compare</strong>
+                <input
+                  type="text"
+                  value={compareBaseId}
+                  onChange={(e) => setCompareBaseId(e.target.value)}
+                  placeholder="Base upload ID"
+                  style={{
+                    flex: 1,
+                    minWidth: '200px',
+                    padding: '8px 12px',
+                    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                    color: '#e5e7eb',
+                    border: '1px solid rgba(255, 255, 255, 0.1)',
+                    borderRadius: '8px',
+                    fontSize: '13px',
+                    fontFamily: 'monospace',
+                    height: '36px'
+                  }}
+                />
+                <button
+                  onClick={() => fetchComparison(compareBaseId.trim())}
+                  disabled={!compareBaseId.trim()}
+                  style={COMPARE_BUTTON_STYLE}
+                >
+                  Compare
+                </button>
+                {comparison && (
+                  <button
+                    onClick={() => {
+                      setComparison(null)
+                      setActiveHighlight(null)
+                    }}
+                    style={COMPARE_BUTTON_STYLE}
+                  >
+                    Clear
+                  </button>
+                )}
+              </div>
+
+              {comparison && (
+                <div style={{ marginTop: '16px', display: 'flex', flexDirection: 'column', gap: '16px' }}>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '24px', fontSize: '14px', color: '#e5e7eb' }}>
+                    <div>
+                      Points: {comparison.base.points} → <strong>{comparison.target.points}</strong>
+                    </div>
+                    <div>
+                      Concentration: {comparison.base.concentrationPercent}% → <strong>{comparison.target.concentrationPercent}%</strong>
+                      <span style={{
+                        marginLeft: '6px',
+                        color: comparison.concentrationChange > 0 ? COMPARE_GAIN_COLOR
+                          : comparison.concentrationChange < 0 ? COMPARE_LOSS_COLOR : '#9ca3af'
+                      }}>
+                        ({comparison.concentrationChange > 0 ? '+' : ''}{comparison.concentrationChange} pts)
+                      </span>
+                    </div>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#9ca3af', fontSize: '12px' }}>
+                      <span style={{ width: '12px', height: '12px', borderRadius: '2px', backgroundColor: COMPARE_LOSS_COLOR }} />
+                      Loss
+                      <span style={{ width: '12px', height: '12px', borderRadius: '2px', backgroundColor: COMPARE_GAIN_COLOR, marginLeft: '8px' }} />
+                      Gain
+                    </div>
+                  </div>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '24px' }}>
+                    {renderChangedAreas('New dense areas', comparison.newDenseAreas, COMPARE_GAIN_COLOR)}
+                    {renderChangedAreas('Disappeared dense areas', comparison.disappearedDenseAreas, COMPARE_LOSS_COLOR)}
+                  </div>
+                </div>
+              )}
             </div>
 
             {/* Two Column Layout */}
@@ -963,7 +1896,8 @@ function App() {
                           setActiveHighlight({
                             type: 'dense',
                             center: area.center,
-                            radius: 1.0
+                            radius: 1.0,
+                            cell: area.cell
                           })
                         }
                       }}
@@ -1042,6 +1976,76 @@ function App() {
                 }}>
                   White Space Areas
                 </h3>
+                <div style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  flexWrap: 'wrap',
+                  gap: '8px',
+                  marginBottom: '16px',
+                  fontSize: '12px',
+                  color: '#9ca3af'
+                }}>
+                  <select
+                    value={whiteSpaceRadius}
+                    onChange={(e) => {
+                      const radius = parseFloat(e.target.value)
+                      setWhiteSpaceRadius(radius)
+                      setActiveHighlight(null)
+                      fetchInsights(uploadId, { radius })
+                    }}
+                    title="Distance from dense areas"
+                    style={{
+                      padding: '6px 10px',
+                      backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                      color: '#e5e7eb',
+                      border: '1px solid rgba(255, 255, 255, 0.1)',
+                      borderRadius: '8px',
+                      fontSize: '12px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {WHITE_SPACE_RADII.map(radius => (
+                      <option key={radius} value={radius} style={{ color: '#111827' }}>
+                        Within {radius} km
+                      </option>
+                    ))}
+                  </select>
+                  {isDrawing ? (
+                    <>
+                      <button
+                        onClick={finishSearchArea}
+                        disabled={drawingPoints.length < 3}
+                        style={{
+                          padding: '6px 10px',
+                          backgroundColor: 'rgba(236, 72, 153, 0.2)',
+                          color: '#ffffff',
+                          border: '1px solid rgba(236, 72, 153, 0.6)',
+                          borderRadius: '8px',
+                          fontSize: '12px',
+                          cursor: drawingPoints.length < 3 ? 'not-allowed' : 'pointer',
+                          opacity: drawingPoints.length < 3 ? 0.5 : 1
+                        }}
+                      >
+                        Finish area
+                      </button>
+                      <button onClick={() => setDrawingPoints(null)} style={SMALL_BUTTON_STYLE}>
+                        Cancel
+                      </button>
+                      <span>Click the map to add corners</span>
+                    </>
+                  ) : (
+                    <>
+                      <button onClick={() => setDrawingPoints([])} style={SMALL_BUTTON_STYLE}>
+                        {searchArea ? 'Redraw area' : 'Draw area'}
+                      </button>
+                      {searchArea && (
+                        <button onClick={clearSearchArea} style={SMALL_BUTTON_STYLE}>
+                          Clear area
+                        </button>
+                      )}
+                    </>
+                  )}
+                </div>
                 {insights.whiteSpaceAreas.length > 0 ? (
                   <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
                     {insights.whiteSpaceAreas.map((area, idx) => {
@@ -1062,7 +2066,8 @@ function App() {
                             setActiveHighlight({
                               type: 'whitespace',
                               center: area.center,
-                              radius: radius
+                              radius: radius,
+                              cell: area.cell
                             })
                           }
                         }}